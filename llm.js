@@ -0,0 +1,276 @@
+// ==========================================
+// LLM PROVIDER LAYER (Anthropic, local mock, replay)
+// ==========================================
+// Every provider exposes the same async API:
+//   createMessage(body) -> { content: [...blocks], stop_reason, usage: { input_tokens, output_tokens } }
+//   streamMessage(body, onText) -> same result, calling onText(chunk) as text is generated
+// `body` is an Anthropic Messages API request ({ model, max_tokens, system, messages, tools, tool_choice }),
+// which is also the response shape callers consume, so tool loops work unchanged on every backend.
+// Failures throw LlmProviderError with an API-style `type` (overloaded_error, replay_miss, ...).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ANTHROPIC_MESSAGES_URL = 'https://api.anthropic.com/v1/messages';
+
+class LlmProviderError extends Error {
+    constructor(type, message, status = null) {
+        super(message);
+        this.name = 'LlmProviderError';
+        this.type = type;
+        this.status = status;
+    }
+}
+
+// Server-side tools (web search) carry a versioned `type`; our own function tools don't
+function isServerTool(tool) {
+    return !!tool.type && tool.type !== 'custom';
+}
+
+function textOf(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content.map(block => block.text || (typeof block.content === 'string' ? block.content : '')).join(' ');
+}
+
+// Backends without real streaming replay finished text word by word
+function emitText(message, onText) {
+    (message.content || [])
+        .filter(block => block.type === 'text')
+        .forEach(block => {
+            (block.text.match(/\S+\s*|\s+/g) || []).forEach(chunk => onText(chunk));
+        });
+    return message;
+}
+
+// Rough chars/4 estimate so mock usage still exercises metering and budgets
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+// ------------------------------------------
+// Anthropic HTTP backend
+// ------------------------------------------
+class AnthropicProvider {
+    constructor({ apiKey }) {
+        this.name = 'anthropic';
+        this.apiKey = apiKey;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    async request(body) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01'
+        };
+        // Web search requires beta header
+        if ((body.tools || []).some(tool => tool.name === 'web_search')) {
+            headers['anthropic-beta'] = 'web-search-2025-03-05';
+        }
+
+        const response = await fetch(ANTHROPIC_MESSAGES_URL, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            let errorData;
+            try {
+                errorData = JSON.parse(errorText);
+            } catch {
+                errorData = { error: { type: 'unknown', message: errorText } };
+            }
+            throw new LlmProviderError(errorData.error?.type || 'unknown', errorData.error?.message || errorText, response.status);
+        }
+        return response;
+    }
+
+    async createMessage(body) {
+        const response = await this.request(body);
+        return response.json();
+    }
+
+    // Rebuilds the final message from the SSE event stream (text, tool_use and server tool blocks)
+    async streamMessage(body, onText) {
+        const response = await this.request({ ...body, stream: true });
+        const decoder = new TextDecoder();
+        let message = null;
+        let buffer = '';
+
+        const handleEvent = (event) => {
+            switch (event.type) {
+                case 'message_start':
+                    message = { ...event.message, content: [] };
+                    break;
+                case 'content_block_start':
+                    message.content[event.index] = { ...event.content_block };
+                    break;
+                case 'content_block_delta': {
+                    const block = message.content[event.index];
+                    if (event.delta.type === 'text_delta') {
+                        block.text = (block.text || '') + event.delta.text;
+                        onText(event.delta.text);
+                    } else if (event.delta.type === 'input_json_delta') {
+                        block.partialJson = (block.partialJson || '') + event.delta.partial_json;
+                    }
+                    break;
+                }
+                case 'content_block_stop': {
+                    const block = message.content[event.index];
+                    if (block && block.partialJson !== undefined) {
+                        block.input = block.partialJson ? JSON.parse(block.partialJson) : {};
+                        delete block.partialJson;
+                    }
+                    break;
+                }
+                case 'message_delta':
+                    message.stop_reason = event.delta.stop_reason;
+                    message.usage = { ...message.usage, ...event.usage };
+                    break;
+                case 'error':
+                    throw new LlmProviderError(event.error?.type || 'unknown', event.error?.message || 'Stream error');
+            }
+        };
+
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                const dataLine = rawEvent.split('\n').find(line => line.startsWith('data:'));
+                if (dataLine) handleEvent(JSON.parse(dataLine.slice(5).trim()));
+            }
+        }
+
+        if (!message) throw new LlmProviderError('stream_error', 'Stream ended before message_start');
+        return message;
+    }
+}
+
+// ------------------------------------------
+// Mock backend (deterministic, offline)
+// ------------------------------------------
+// The same request always yields the same response. When function tools are offered it first
+// calls each of them once (empty input), then answers in text quoting the tool results, so
+// tool-grounded prompts can be exercised end to end without the network.
+class MockProvider {
+    constructor() {
+        this.name = 'mock';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async createMessage(body) {
+        const messages = body.messages || [];
+        const digest = crypto.createHash('sha256')
+            .update(JSON.stringify([body.system, messages]))
+            .digest('hex');
+        const inputTokens = estimateTokens(String(body.system || '') + messages.map(m => textOf(m.content)).join(' '));
+
+        const functionTools = (body.tools || []).filter(tool => !isServerTool(tool));
+        const toolResults = messages
+            .flatMap(m => (Array.isArray(m.content) ? m.content : []))
+            .filter(block => block.type === 'tool_result');
+
+        if (functionTools.length > 0 && toolResults.length === 0 && body.tool_choice?.type !== 'none') {
+            const content = functionTools.map((tool, i) => ({
+                type: 'tool_use',
+                id: `toolu_mock_${digest.slice(0, 8)}_${i}`,
+                name: tool.name,
+                input: {}
+            }));
+            return { content, stop_reason: 'tool_use', usage: { input_tokens: inputTokens, output_tokens: 10 * content.length } };
+        }
+
+        // Tool results also arrive as user turns - quote the last real prompt
+        const lastUser = [...messages].reverse().find(m => m.role === 'user' &&
+            (typeof m.content === 'string' || m.content.some(block => block.type === 'text')));
+        const prompt = textOf(lastUser?.content).replace(/\s+/g, ' ').trim();
+        const lines = [`[MOCK ${digest.slice(0, 8)}] ${prompt.slice(0, 160)}`];
+        toolResults.forEach(result => {
+            lines.push(`• ${textOf(result.content).slice(0, 200)}`);
+        });
+        const text = lines.join('\n');
+        return { content: [{ type: 'text', text }], stop_reason: 'end_turn', usage: { input_tokens: inputTokens, output_tokens: estimateTokens(text) } };
+    }
+
+    async streamMessage(body, onText) {
+        return emitText(await this.createMessage(body), onText);
+    }
+}
+
+// ------------------------------------------
+// Replay backend (recorded fixtures, optional recording)
+// ------------------------------------------
+// Responses are keyed by a hash of system + messages + tool names + tool_choice (not the model),
+// so fixtures survive model upgrades. With `record`, misses go to `upstream` and are saved.
+class ReplayProvider {
+    constructor({ file, record = false, upstream = null }) {
+        this.name = 'replay';
+        this.file = file;
+        this.record = record;
+        this.upstream = upstream;
+        this.fixtures = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {};
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    static keyFor(body) {
+        return crypto.createHash('sha256').update(JSON.stringify({
+            system: body.system || '',
+            messages: body.messages || [],
+            tools: (body.tools || []).map(tool => tool.name),
+            toolChoice: body.tool_choice || null
+        })).digest('hex').slice(0, 32);
+    }
+
+    async createMessage(body) {
+        const key = ReplayProvider.keyFor(body);
+        if (this.fixtures[key]) return this.fixtures[key];
+
+        if (!this.record || !this.upstream?.isConfigured()) {
+            throw new LlmProviderError('replay_miss', `No recorded response for request ${key} in ${this.file}`);
+        }
+
+        const data = await this.upstream.createMessage(body);
+        this.fixtures[key] = { content: data.content, stop_reason: data.stop_reason, usage: data.usage };
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(this.fixtures, null, 2));
+        return this.fixtures[key];
+    }
+
+    // Recorded responses are stored whole, so replays stream them word by word
+    async streamMessage(body, onText) {
+        return emitText(await this.createMessage(body), onText);
+    }
+}
+
+// ------------------------------------------
+// Factory
+// ------------------------------------------
+function createLlmProvider({ provider = 'anthropic', apiKey, replayFile, record = false }) {
+    switch (provider) {
+        case 'anthropic':
+            return new AnthropicProvider({ apiKey });
+        case 'mock':
+            return new MockProvider();
+        case 'replay':
+            return new ReplayProvider({ file: replayFile, record, upstream: new AnthropicProvider({ apiKey }) });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected anthropic, mock or replay).`);
+    }
+}
+
+module.exports = { createLlmProvider, LlmProviderError };
@@ -0,0 +1,94 @@
+// ==========================================
+// CONTENT MODERATION (rules for AI-generated terminal posts)
+// ==========================================
+// moderateContent(text, context) -> { ok, reasons: [{ rule, detail }] }
+// `context` is { token (enriched with market data), denyList, priceTolerancePct, tokenFocused }.
+// Rules are pure and synchronous; quarantine and review live in server.js.
+
+// Phrasing that reads as personalised financial advice or promised returns.
+// Disclaimers ("not financial advice", "DYOR") are deliberately not matched.
+const FINANCIAL_ADVICE_PATTERNS = [
+    /\b(?:you|u|everyone|y'?all)\s+(?:should|must|need to|have to)\s+(?:buy|sell|ape|invest|load up|get in|go all[- ]in)\b/i,
+    /\bguarantee[ds]?\s+(?:returns?|profits?|gains?|\d+x)\b/i,
+    /\b(?:risk[- ]free|can'?t lose|cannot lose|no way to lose|free money)\b/i,
+    /\b(?:buy|ape in|load up)\s+(?:now|today|immediately)\s+before\b/i,
+    /\bsell\s+(?:everything|your house|your car)\b/i,
+    /\b(?:will|going to)\s+(?:definitely|certainly|100%)\s+(?:pump|moon|\d+x)\b/i,
+    /\b(?:this is|here'?s)\s+(?:my\s+)?financial advice\b/i
+];
+
+function findDenied(text, denyList) {
+    const lower = text.toLowerCase();
+    return denyList.filter(term => {
+        const escaped = term.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(lower);
+    });
+}
+
+// Majors the agent quotes for context - their prices are not claims about this token
+const OTHER_ASSETS = /\b(?:btc|bitcoin|eth|ethereum|sol|solana|usdc|usdt)\b/;
+
+// "$1.2M", "$0.00018", "1,234" -> number
+function parseAmount(raw, suffix) {
+    const value = parseFloat(raw.replace(/,/g, ''));
+    const multiplier = { k: 1e3, m: 1e6, b: 1e9 }[(suffix || '').toLowerCase()] || 1;
+    return value * multiplier;
+}
+
+// Lines that state this token's price, market cap or holder count. In token-focused posts every
+// such line counts; elsewhere only lines naming the token (others quote BTC/SOL prices freely).
+function extractMarketClaims(text, token, tokenFocused) {
+    const claims = [];
+    const symbol = (token.symbol || '').toLowerCase();
+    const names = [symbol && `$${symbol}`, symbol, (token.name || '').toLowerCase()].filter(Boolean);
+
+    text.split('\n').forEach(line => {
+        const lower = line.toLowerCase();
+        const namesToken = names.some(name => new RegExp(`(^|\\W)${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\W|$)`).test(lower));
+        if (!namesToken && (!tokenFocused || OTHER_ASSETS.test(lower))) return;
+
+        const mcap = lower.match(/\b(?:mcap|market\s*cap|marketcap)\b[^$\n]{0,20}\$\s?(\d[\d,]*(?:\.\d+)?)\s?([kmb])?\b/);
+        if (mcap) claims.push({ field: 'mcap', claimed: parseAmount(mcap[1], mcap[2]), text: line.trim() });
+
+        const price = lower.match(/\bprice\b[^$\n]{0,20}\$\s?(\d[\d,]*(?:\.\d+)?)(?!\s?[kmb]\b)/);
+        if (price) claims.push({ field: 'usdPrice', claimed: parseAmount(price[1]), text: line.trim() });
+
+        const holders = lower.match(/\b(\d[\d,]*)\s+holders\b|\bholders?\b[^\d\n]{0,10}(\d[\d,]*)\b/);
+        if (holders) claims.push({ field: 'holderCount', claimed: parseAmount(holders[1] || holders[2]), text: line.trim() });
+    });
+    return claims;
+}
+
+function findContradictedClaims(text, token, tolerancePct, tokenFocused) {
+    return extractMarketClaims(text, token, tokenFocused).filter(claim => {
+        const actual = token[claim.field];
+        if (!(actual > 0) || !(claim.claimed > 0)) return false;
+        return Math.abs(claim.claimed - actual) / actual * 100 > tolerancePct;
+    }).map(claim => ({ ...claim, actual: token[claim.field] }));
+}
+
+function moderateContent(text, { token, denyList = [], priceTolerancePct = 25, tokenFocused = false }) {
+    const reasons = [];
+
+    findDenied(text, denyList).forEach(term => {
+        reasons.push({ rule: 'deny_list', detail: `Contains "${term}"` });
+    });
+
+    FINANCIAL_ADVICE_PATTERNS.forEach(pattern => {
+        const match = text.match(pattern);
+        if (match) reasons.push({ rule: 'financial_advice', detail: `"${match[0]}"` });
+    });
+
+    if (token) {
+        findContradictedClaims(text, token, priceTolerancePct, tokenFocused).forEach(claim => {
+            reasons.push({
+                rule: 'market_claim',
+                detail: `${claim.field} claimed ${claim.claimed}, actual ${claim.actual}: "${claim.text.slice(0, 120)}"`
+            });
+        });
+    }
+
+    return { ok: reasons.length === 0, reasons };
+}
+
+module.exports = { moderateContent, extractMarketClaims };
@@ -0,0 +1,170 @@
+/*
+ * ZENT AGENTIC embeddable widget loader (v2)
+ *
+ * Script tag (auto-mounts right after the tag):
+ *   <script src="https://<host>/embed.js" data-token="<mint>" data-theme="dark"
+ *           data-layout="compact" data-panels="terminal,price,trades,chat" async></script>
+ *
+ * Or mount into any element marked with data-zent-embed (same data-* options), or from code:
+ *   const widget = ZentEmbed.mount('#agent', { token: '<mint>', theme: 'light', layout: 'full' });
+ *   widget.on('update', e => console.log(e.content));   // ready | resize | update | trade
+ *   widget.setOptions({ theme: 'custom', accent: '#22c55e', panels: ['terminal', 'trades'] });
+ *   widget.destroy();
+ *
+ * Options: token (required), theme (dark | light | custom), layout (compact | full),
+ * panels (array or comma list of terminal, price, trades, chat), accent / bg / fg (hex colours),
+ * width (CSS width, default 400px compact / 100% full), height (fixed CSS height, default auto-fit).
+ * Calls queued before the script loads run once it does: (window.ZentEmbed = window.ZentEmbed || []).push(fn)
+ */
+(function () {
+    if (window.ZentEmbed && window.ZentEmbed.version) return;
+
+    var script = document.currentScript;
+    var baseUrl = script && script.src ? new URL(script.src).origin : window.location.origin;
+    var LIVE_OPTIONS = ['theme', 'layout', 'panels', 'accent', 'bg', 'fg'];
+    var instances = {};
+    var counter = 0;
+
+    function toQuery(options) {
+        var params = new URLSearchParams();
+        LIVE_OPTIONS.concat('id').forEach(function (key) {
+            var value = options[key];
+            if (value === undefined || value === null || value === '') return;
+            params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+        });
+        return params.toString();
+    }
+
+    function optionsFromDataset(node) {
+        var data = node.dataset || {};
+        var options = {};
+        ['token', 'theme', 'layout', 'panels', 'accent', 'bg', 'fg', 'width', 'height'].forEach(function (key) {
+            if (data[key]) options[key] = data[key];
+        });
+        return options;
+    }
+
+    function Widget(target, options) {
+        this.id = 'zent-embed-' + (++counter);
+        this.options = Object.assign({}, options, { id: this.id });
+        this.handlers = {};
+        this.target = target;
+
+        var iframe = document.createElement('iframe');
+        iframe.src = baseUrl + '/embed/' + encodeURIComponent(options.token) + '?' + toQuery(this.options);
+        iframe.title = 'ZENT AGENTIC widget';
+        iframe.loading = 'lazy';
+        iframe.setAttribute('frameborder', '0');
+        iframe.style.border = '0';
+        iframe.style.display = 'block';
+        iframe.style.width = '100%';
+        iframe.style.colorScheme = 'normal';
+        this.iframe = iframe;
+        this.applySize();
+
+        target.appendChild(iframe);
+        instances[this.id] = this;
+    }
+
+    Widget.prototype.applySize = function () {
+        var full = this.options.layout === 'full';
+        this.iframe.style.maxWidth = this.options.width || (full ? '100%' : '400px');
+        this.iframe.style.height = this.options.height || this.iframe.style.height || (full ? '640px' : '360px');
+    };
+
+    // Live options are pushed into the running widget; a new token needs a fresh iframe
+    Widget.prototype.setOptions = function (partial) {
+        if (partial.token && partial.token !== this.options.token) {
+            var target = this.target;
+            var merged = Object.assign({}, this.options, partial);
+            var handlers = this.handlers;
+            this.destroy();
+            var replacement = new Widget(target, merged);
+            replacement.handlers = handlers;
+            return replacement;
+        }
+        Object.assign(this.options, partial);
+        this.applySize();
+        var live = {};
+        LIVE_OPTIONS.forEach(function (key) {
+            if (partial[key] !== undefined) live[key] = partial[key];
+        });
+        if (this.iframe.contentWindow) {
+            this.iframe.contentWindow.postMessage({ source: 'zent-embed-host', type: 'config', options: live }, baseUrl);
+        }
+        return this;
+    };
+
+    Widget.prototype.on = function (event, handler) {
+        (this.handlers[event] = this.handlers[event] || []).push(handler);
+        return this;
+    };
+
+    Widget.prototype.off = function (event, handler) {
+        this.handlers[event] = (this.handlers[event] || []).filter(function (h) { return h !== handler; });
+        return this;
+    };
+
+    Widget.prototype.emit = function (event, payload) {
+        (this.handlers[event] || []).forEach(function (handler) {
+            try { handler(payload); } catch (e) { console.error('ZentEmbed handler error:', e); }
+        });
+    };
+
+    Widget.prototype.destroy = function () {
+        if (this.iframe.parentNode) this.iframe.parentNode.removeChild(this.iframe);
+        delete instances[this.id];
+        this.handlers = {};
+    };
+
+    // Events from the widget page: auto-fit height, then hand them to listeners
+    window.addEventListener('message', function (event) {
+        if (event.origin !== baseUrl) return;
+        var data = event.data || {};
+        var widget = data.source === 'zent-embed' && instances[data.id];
+        if (!widget) return;
+        if ((data.type === 'ready' || data.type === 'resize') && data.height && !widget.options.height) {
+            widget.iframe.style.height = data.height + 'px';
+        }
+        widget.emit(data.type, data);
+    });
+
+    function mount(target, options) {
+        var node = typeof target === 'string' ? document.querySelector(target) : target;
+        if (!node) throw new Error('ZentEmbed: mount target not found');
+        if (!options || !options.token) throw new Error('ZentEmbed: options.token (mint address) is required');
+        return new Widget(node, options);
+    }
+
+    function autoMount() {
+        document.querySelectorAll('[data-zent-embed]').forEach(function (node) {
+            if (node.getAttribute('data-zent-mounted')) return;
+            node.setAttribute('data-zent-mounted', 'true');
+            mount(node, optionsFromDataset(node));
+        });
+        if (script && script.dataset.token && !script.getAttribute('data-zent-mounted')) {
+            script.setAttribute('data-zent-mounted', 'true');
+            var container = document.createElement('div');
+            script.parentNode.insertBefore(container, script.nextSibling);
+            mount(container, optionsFromDataset(script));
+        }
+    }
+
+    var queued = Array.isArray(window.ZentEmbed) ? window.ZentEmbed : [];
+    window.ZentEmbed = {
+        version: '2.0.0',
+        baseUrl: baseUrl,
+        mount: mount,
+        get: function (id) { return instances[id] || null; },
+        instances: function () { return Object.keys(instances).map(function (id) { return instances[id]; }); }
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', autoMount);
+    } else {
+        autoMount();
+    }
+    queued.forEach(function (fn) {
+        if (typeof fn === 'function') fn(window.ZentEmbed);
+    });
+})();
@@ -0,0 +1,298 @@
+// ==========================================
+// OUTBOUND PUBLISHER (agent posts -> Telegram / Discord / X / webhooks)
+// ==========================================
+// Every adapter exposes the same async API:
+//   send(channel, text) -> { status }
+// `channel` is a stored channel config with its secrets decrypted ({ id, type, target, secret, ... }).
+// Failures throw PublisherError; `retryable` marks network errors, 429s and 5xx responses.
+// Response bodies are never returned - a creator-chosen URL must not be able to read anything back.
+// Creator-supplied URLs (Discord and webhook targets) may only reach public addresses: the check
+// runs in the socket's DNS lookup, so a hostname cannot resolve to a private address after it was
+// validated, and redirects are never followed.
+// Selection rules, rate limits and the delivery log live in server.js.
+// API base URLs are overridable so every adapter can be pointed at a local HTTP stand-in.
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const SEND_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+class PublisherError extends Error {
+    constructor(message, { status = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'PublisherError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+    if (mapped) return isPublicAddress(mapped[1]);
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    return !NON_PUBLIC_ADDRESSES.check(address, type);
+}
+
+// dns.lookup with the same signature, refusing any non-public answer (used by the socket itself)
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const answers = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = answers.find(answer => !isPublicAddress(answer.address));
+        if (blocked) return callback(new PublisherError(`${hostname} resolves to a non-public address`));
+        callback(null, address, family);
+    });
+}
+
+// Save-time check for creator-supplied URLs; throws PublisherError
+async function assertPublicUrl(value) {
+    const { hostname } = new URL(value);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const answers = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true }).catch(() => {
+        throw new PublisherError(`${host} does not resolve`);
+    });
+    if (answers.length === 0 || answers.some(answer => !isPublicAddress(answer.address))) {
+        throw new PublisherError(`${host} is not a public address`);
+    }
+}
+
+// What each channel type needs, as shown to creators configuring it
+const CHANNEL_TYPES = {
+    telegram: { target: 'chat id or @channel', secret: 'bot token', maxLength: 4096 },
+    discord: { target: 'webhook URL', secret: null, maxLength: 2000 },
+    x: { target: null, secret: 'OAuth 2.0 user access token', refreshToken: 'OAuth 2.0 refresh token (optional, offline.access scope)', maxLength: 280 },
+    webhook: { target: 'URL', secret: 'signing secret (optional)', maxLength: 8000 }
+};
+
+function truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    return text.slice(0, maxLength - 1).trimEnd() + '…';
+}
+
+// Plain text for every channel; the link (if any) survives truncation
+function formatMessage(type, content, token, link = null) {
+    const header = `🤖 $${token.symbol} · ${content.type.replace(/_/g, ' ').toUpperCase()}`;
+    const body = (content.content || '').replace(/\n{3,}/g, '\n\n').trim();
+    const footer = link ? `\n\n${link}` : '';
+    const maxLength = CHANNEL_TYPES[type].maxLength - footer.length;
+    return truncate(`${header}\n\n${body}`, maxLength) + footer;
+}
+
+// POST without following redirects. `publicOnly` applies the address check to every connection.
+// Resolves { status, body } for 2xx; `body` is for the adapter's own use and is never returned.
+function post(url, payload, headers, { publicOnly = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const host = target.hostname.replace(/^\[|\]$/g, '');
+        if (publicOnly && net.isIP(host) && !isPublicAddress(host)) {
+            return reject(new PublisherError(`${host} is not a public address`));
+        }
+
+        const transport = target.protocol === 'http:' ? http : https;
+        const req = transport.request(target, {
+            method: 'POST',
+            headers: { 'User-Agent': 'ZENT-Publisher/1.0', 'Content-Length': Buffer.byteLength(payload), ...headers },
+            timeout: SEND_TIMEOUT_MS,
+            ...(publicOnly ? { lookup: publicOnlyLookup } : {})
+        }, (res) => {
+            const chunks = [];
+            let size = 0;
+            res.on('data', chunk => {
+                size += chunk.length;
+                if (size <= MAX_RESPONSE_BYTES) chunks.push(chunk);
+            });
+            res.on('end', () => {
+                const status = res.statusCode;
+                if (status >= 200 && status < 300) return resolve({ status, body: Buffer.concat(chunks).toString('utf8') });
+                reject(new PublisherError(`Responded ${status}`, { status, retryable: status === 429 || status >= 500 }));
+            });
+            res.on('error', err => reject(new PublisherError(`Request failed: ${err.message}`, { retryable: true })));
+        });
+        req.on('timeout', () => req.destroy(new Error('timed out')));
+        req.on('error', err => reject(err instanceof PublisherError
+            ? err
+            : new PublisherError(`Request failed: ${err.message}`, { retryable: true })));
+        req.end(payload);
+    });
+}
+
+function postJson(url, body, headers = {}, options) {
+    return post(url, JSON.stringify(body), { 'Content-Type': 'application/json', ...headers }, options);
+}
+
+// ------------------------------------------
+// Telegram (Bot API sendMessage)
+// ------------------------------------------
+class TelegramAdapter {
+    constructor({ apiUrl }) {
+        this.apiUrl = apiUrl.replace(/\/$/, '');
+    }
+
+    async send(channel, text) {
+        const result = await postJson(`${this.apiUrl}/bot${channel.secret}/sendMessage`, {
+            chat_id: channel.target,
+            text,
+            disable_web_page_preview: true
+        });
+        // The Bot API can answer 200 with { ok: false } for some errors
+        let body = {};
+        try {
+            body = JSON.parse(result.body || '{}');
+        } catch {
+            // Stand-ins and proxies may not answer JSON - a 2xx is good enough
+        }
+        if (body.ok === false) {
+            throw new PublisherError(`Telegram rejected the message: ${body.description || 'unknown error'}`, { status: result.status });
+        }
+        return { status: result.status };
+    }
+}
+
+// ------------------------------------------
+// Discord (incoming webhook)
+// ------------------------------------------
+class DiscordAdapter {
+    constructor({ publicOnly }) {
+        this.publicOnly = publicOnly;
+    }
+
+    async send(channel, text) {
+        const { status } = await postJson(channel.target, { content: text, allowed_mentions: { parse: [] } }, {}, { publicOnly: this.publicOnly });
+        return { status };
+    }
+}
+
+// ------------------------------------------
+// X (v2 create post, user-context bearer token)
+// ------------------------------------------
+// User access tokens expire after about two hours. Channels saved with a refresh token (offline.access
+// scope) are refreshed before they expire, or after a 401, and `onCredentials(channel, credentials)`
+// persists the rotated pair ({ secret, refreshToken, tokenExpiresAt }).
+const X_REFRESH_MARGIN_MS = 60 * 1000;
+
+class XAdapter {
+    constructor({ apiUrl, clientId, clientSecret, onCredentials }) {
+        this.apiUrl = apiUrl.replace(/\/$/, '');
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.onCredentials = onCredentials;
+        this.refreshing = new Map(); // channel id -> in-flight refresh (refresh tokens rotate, so only one may run)
+    }
+
+    canRefresh(channel) {
+        return Boolean(channel.refreshToken && this.clientId);
+    }
+
+    refresh(channel) {
+        if (!this.refreshing.has(channel.id)) {
+            this.refreshing.set(channel.id, this.requestToken(channel).finally(() => this.refreshing.delete(channel.id)));
+        }
+        return this.refreshing.get(channel.id);
+    }
+
+    async requestToken(channel) {
+        const form = new URLSearchParams({ grant_type: 'refresh_token', refresh_token: channel.refreshToken, client_id: this.clientId });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+        if (this.clientSecret) {
+            headers.Authorization = `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}`;
+        }
+        const { body } = await post(`${this.apiUrl}/2/oauth2/token`, form.toString(), headers);
+
+        let token;
+        try {
+            token = JSON.parse(body);
+        } catch {
+            token = {};
+        }
+        if (!token.access_token) throw new PublisherError('X token refresh returned no access token');
+        const credentials = {
+            secret: token.access_token,
+            refreshToken: token.refresh_token || channel.refreshToken,
+            tokenExpiresAt: token.expires_in ? Date.now() + token.expires_in * 1000 : null
+        };
+        if (this.onCredentials) await this.onCredentials(channel, credentials);
+        return { ...channel, ...credentials };
+    }
+
+    async send(channel, text) {
+        let current = channel;
+        if (this.canRefresh(current) && current.tokenExpiresAt && current.tokenExpiresAt - X_REFRESH_MARGIN_MS <= Date.now()) {
+            current = await this.refresh(current);
+        }
+        const tweet = (accessToken) => postJson(`${this.apiUrl}/2/tweets`, { text }, { Authorization: `Bearer ${accessToken}` });
+        try {
+            const { status } = await tweet(current.secret);
+            return { status };
+        } catch (err) {
+            if (err.status !== 401 || !this.canRefresh(current)) throw err;
+            current = await this.refresh(current);
+            const { status } = await tweet(current.secret);
+            return { status };
+        }
+    }
+}
+
+// ------------------------------------------
+// Generic webhook (JSON body, optional HMAC signature)
+// ------------------------------------------
+// With a secret, X-Zent-Signature is "sha256=<hex HMAC of the raw body>".
+class WebhookAdapter {
+    constructor({ publicOnly }) {
+        this.publicOnly = publicOnly;
+    }
+
+    async send(channel, text, payload = {}) {
+        const body = { text, ...payload };
+        const headers = {};
+        if (channel.secret) {
+            const signature = crypto.createHmac('sha256', channel.secret).update(JSON.stringify(body)).digest('hex');
+            headers['X-Zent-Signature'] = `sha256=${signature}`;
+        }
+        const { status } = await postJson(channel.target, body, headers, { publicOnly: this.publicOnly && !channel.trusted });
+        return { status };
+    }
+}
+
+// ------------------------------------------
+// Factory
+// ------------------------------------------
+// `allowPrivateHosts` lifts the public-address rule (local stand-ins while testing). Operator-set
+// URLs (API bases, channels marked `trusted`) are never checked.
+function createPublisher({
+    telegramApiUrl = 'https://api.telegram.org',
+    xApiUrl = 'https://api.x.com',
+    xClientId = null,
+    xClientSecret = null,
+    onCredentials = null,
+    allowPrivateHosts = false
+} = {}) {
+    const publicOnly = !allowPrivateHosts;
+    const adapters = {
+        telegram: new TelegramAdapter({ apiUrl: telegramApiUrl }),
+        discord: new DiscordAdapter({ publicOnly }),
+        x: new XAdapter({ apiUrl: xApiUrl, clientId: xClientId, clientSecret: xClientSecret, onCredentials }),
+        webhook: new WebhookAdapter({ publicOnly })
+    };
+    return {
+        send(channel, text, payload) {
+            const adapter = adapters[channel.type];
+            if (!adapter) throw new PublisherError(`Unknown channel type "${channel.type}"`);
+            return adapter.send(channel, text, payload);
+        }
+    };
+}
+
+module.exports = { createPublisher, formatMessage, assertPublicUrl, isPublicAddress, PublisherError, CHANNEL_TYPES };
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// ==========================================
+// DB MIGRATION: import a lowdb db.json into another storage backend
+// ==========================================
+// Usage:
+//   node scripts/migrate-db.js [source db.json] [target] [--backend sqlite|lowdb] [--force]
+// Defaults: source = db.json (or /data/db.json on Render),
+//           target = SQLITE_PATH (or db.sqlite / /data/db.sqlite), backend = sqlite
+// Trades are deduplicated on signature during import.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createStorage, COLLECTIONS } = require('../storage');
+
+function parseArgs(argv) {
+    const args = { positional: [], backend: 'sqlite', force: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--backend') args.backend = argv[++i];
+        else if (argv[i] === '--force') args.force = true;
+        else args.positional.push(argv[i]);
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const dataDir = process.env.RENDER ? '/data' : '.';
+    const source = path.resolve(args.positional[0] || path.join(dataDir, 'db.json'));
+    const defaultTarget = args.backend === 'sqlite'
+        ? (process.env.SQLITE_PATH || path.join(dataDir, 'db.sqlite'))
+        : path.join(dataDir, 'db.migrated.json');
+    const target = path.resolve(args.positional[1] || defaultTarget);
+
+    if (!['sqlite', 'lowdb'].includes(args.backend)) {
+        throw new Error(`Unknown backend "${args.backend}" (expected sqlite or lowdb).`);
+    }
+    if (!fs.existsSync(source)) {
+        throw new Error(`Source file not found: ${source}`);
+    }
+    if (source === target) {
+        throw new Error('Source and target must be different files.');
+    }
+    if (fs.existsSync(target) && !args.force) {
+        throw new Error(`Target ${target} already exists. Re-run with --force to overwrite its collections.`);
+    }
+
+    console.log(`📦 Reading ${source}...`);
+    const data = JSON.parse(fs.readFileSync(source, 'utf-8'));
+
+    console.log(`🗄️  Importing into ${args.backend} at ${target}...`);
+    const storage = createStorage({ backend: args.backend, file: target });
+    const counts = storage.importSnapshot(data);
+
+    for (const name of Object.keys(COLLECTIONS)) {
+        const before = Array.isArray(data[name]) ? data[name].length : 0;
+        const skipped = before - counts[name];
+        console.log(`   ${name.padEnd(12)} ${String(counts[name]).padStart(8)}${skipped > 0 ? `  (${skipped} duplicates skipped)` : ''}`);
+    }
+    if (storage.sqlite) storage.sqlite.close();
+
+    console.log(`✅ Migration complete. Start the server with DB_BACKEND=${args.backend}${args.backend === 'sqlite' ? ` SQLITE_PATH=${target}` : ''}`);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`❌ Migration failed: ${err.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,152 @@
+// ==========================================
+// SOCIAL INGESTION (pluggable mention sources + sentiment scoring)
+// ==========================================
+// Every source exposes the same async API:
+//   fetchMentions(token) -> [{ sourceId, author, content, url, timestamp }]
+// `token` is a stored token record ({ baseMint, symbol, name }). Sources only return real posts;
+// scoring and storage happen in server.js so every source is treated the same way.
+const fs = require('fs');
+const crypto = require('crypto');
+
+const FETCH_TIMEOUT_MS = 10000;
+
+// ------------------------------------------
+// Sentiment (crypto-flavoured lexicon, -1 .. 1)
+// ------------------------------------------
+const SENTIMENT_LEXICON = {
+    bullish: 2, bull: 1, moon: 2, mooning: 2, pump: 1, pumping: 1, lfg: 2, gem: 2, buy: 1, buying: 1,
+    bought: 1, long: 1, ape: 1, aped: 1, send: 1, sending: 1, breakout: 2, ath: 2, undervalued: 2,
+    strong: 1, love: 1, great: 1, huge: 1, early: 1, based: 1, wagmi: 2, hodl: 1, hold: 1, accumulate: 1,
+    '🚀': 2, '🔥': 1, '💎': 1, '📈': 2, '🟢': 1,
+    bearish: -2, bear: -1, dump: -2, dumping: -2, dumped: -2, rug: -3, rugged: -3, rugpull: -3, scam: -3,
+    sell: -1, selling: -1, sold: -1, short: -1, rekt: -2, dead: -2, exit: -1, ngmi: -2, overvalued: -2,
+    honeypot: -3, weak: -1, crash: -2, crashing: -2, fud: -1, avoid: -2, fake: -2, down: -1,
+    '📉': -2, '🔴': -1, '💀': -1
+};
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", 'dont', "isn't", 'isnt', "won't", 'wont']);
+
+function scoreSentiment(text) {
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}'$]+|\p{Extended_Pictographic}/gu) || [];
+    let total = 0;
+    let hits = 0;
+    words.forEach((word, i) => {
+        const weight = SENTIMENT_LEXICON[word.replace(/^\$/, '')];
+        if (!weight) return;
+        total += NEGATIONS.has(words[i - 1]) ? -weight : weight;
+        hits++;
+    });
+    // Normalise so one strong word doesn't max out a long post
+    const score = hits ? Math.max(-1, Math.min(1, total / (hits * 2))) : 0;
+    const label = score > 0.15 ? 'bullish' : score < -0.15 ? 'bearish' : 'neutral';
+    return { score: Math.round(score * 100) / 100, label };
+}
+
+// Cashtag or contract address - the same test every source applies before returning a post
+function mentionsToken(text, token) {
+    if (!text) return false;
+    if (token.baseMint && text.includes(token.baseMint)) return true;
+    if (!token.symbol) return false;
+    const symbol = token.symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\$${symbol}\\b`, 'i').test(text);
+}
+
+// ------------------------------------------
+// RSS / Atom feed source (Nitter search, Reddit search, news feeds...)
+// ------------------------------------------
+// `urlTemplate` may contain {query}, {symbol} and {mint}; {query} is "$SYMBOL OR <mint>".
+function decodeXml(text) {
+    return (text || '')
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'").replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function xmlTag(block, ...names) {
+    for (const name of names) {
+        const match = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+        if (match) return decodeXml(match[1]);
+        // Atom links carry the URL in an attribute
+        const link = name === 'link' && block.match(/<link[^>]*href="([^"]+)"/i);
+        if (link) return link[1];
+    }
+    return '';
+}
+
+class RssSource {
+    constructor(urlTemplate) {
+        this.urlTemplate = urlTemplate;
+        this.name = `rss:${new URL(urlTemplate.replace(/\{\w+\}/g, 'x')).hostname}`;
+    }
+
+    async fetchMentions(token) {
+        const query = [`$${token.symbol}`, token.baseMint].filter(Boolean).join(' OR ');
+        const url = this.urlTemplate
+            .replace(/\{query\}/g, encodeURIComponent(query))
+            .replace(/\{symbol\}/g, encodeURIComponent(token.symbol || ''))
+            .replace(/\{mint\}/g, encodeURIComponent(token.baseMint));
+
+        const response = await fetch(url, {
+            headers: { 'User-Agent': 'ZENT-Social-Ingest/1.0' },
+            signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+        });
+        if (!response.ok) throw new Error(`${this.name} responded ${response.status}`);
+        const xml = await response.text();
+
+        const items = xml.match(/<(item|entry)[\s>][\s\S]*?<\/\1>/gi) || [];
+        return items.map(item => {
+            const content = [xmlTag(item, 'title'), xmlTag(item, 'description', 'summary', 'content')]
+                .filter(Boolean)
+                .join(' - ');
+            const published = Date.parse(xmlTag(item, 'pubDate', 'published', 'updated'));
+            const link = xmlTag(item, 'link');
+            return {
+                sourceId: xmlTag(item, 'guid', 'id') || link,
+                author: xmlTag(item, 'dc:creator', 'author', 'name') || null,
+                content,
+                url: link || null,
+                timestamp: Number.isFinite(published) ? published : Date.now()
+            };
+        }).filter(mention => mention.sourceId && mentionsToken(mention.content, token));
+    }
+}
+
+// ------------------------------------------
+// Fixture file source (dev / tests, no network)
+// ------------------------------------------
+// JSON array of { id, author, content, url, timestamp, tokenMint? }. Entries without tokenMint
+// are matched on cashtag / contract address like any other source. Re-read on every poll.
+class FixtureSource {
+    constructor(file) {
+        this.file = file;
+        this.name = 'fixture';
+    }
+
+    async fetchMentions(token) {
+        if (!fs.existsSync(this.file)) return [];
+        const entries = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+        return entries
+            .filter(entry => entry.tokenMint ? entry.tokenMint === token.baseMint : mentionsToken(entry.content, token))
+            .map(entry => ({
+                sourceId: String(entry.id || crypto.createHash('sha1').update(entry.content || '').digest('hex')),
+                author: entry.author || null,
+                content: entry.content || '',
+                url: entry.url || null,
+                timestamp: entry.timestamp ? new Date(entry.timestamp).getTime() : Date.now()
+            }));
+    }
+}
+
+// ------------------------------------------
+// Factory
+// ------------------------------------------
+function createSocialSources({ rssUrls = [], fixtureFile = null }) {
+    const sources = rssUrls.map(url => new RssSource(url));
+    if (fixtureFile) sources.push(new FixtureSource(fixtureFile));
+    return sources;
+}
+
+module.exports = { createSocialSources, scoreSentiment, mentionsToken };
@@ -0,0 +1,326 @@
+// ==========================================
+// STORAGE LAYER (lowdb JSON file or indexed SQLite)
+// ==========================================
+// Every collection exposes the same synchronous API regardless of backend:
+//   all(), find(query), filter(query, { sortBy, order, limit }), count(query),
+//   insert(docOrDocs), insertNew(docs, keyField), update(query, patchOrFn),
+//   remove(query), replaceAll(docs)
+// `query` is either a plain object (field equality, lodash-style) or a predicate function.
+// Object queries on indexed fields are served from SQLite indexes; predicates fall back to a scan.
+const fs = require('fs');
+const path = require('path');
+
+// Collection name -> fields worth indexing. The first `unique` entry doubles as the dedupe key.
+const COLLECTIONS = {
+    tokens: { unique: ['baseMint'], indexes: ['deployer', 'migrated'] },
+    trades: { unique: ['signature'], indexes: ['tokenMint', 'traderAddress', 'timestamp'] },
+    wallets: { unique: ['address'], indexes: ['points'] },
+    quests: { unique: [], indexes: ['id'] },
+    comments: { unique: [], indexes: ['tokenMint', 'wallet'] },
+    profiles: { unique: ['wallet'], indexes: [] },
+    followers: { unique: [], indexes: ['follower', 'following'] },
+    tokenChats: { unique: [], indexes: ['id', 'tokenMint', 'wallet'] },
+    badges: { unique: [], indexes: ['wallet'] },
+    llmUsage: { unique: [], indexes: ['day', 'month', 'tokenMint', 'caller'] },
+    socialMentions: { unique: ['id'], indexes: ['tokenMint', 'timestamp'] },
+    predictions: { unique: ['id'], indexes: ['tokenMint', 'status'] },
+    moderationQueue: { unique: ['id'], indexes: ['tokenMint', 'status'] },
+    outboundChannels: { unique: ['id'], indexes: ['tokenMint'] },
+    deliveries: { unique: ['id'], indexes: ['tokenMint', 'channelId', 'status'] },
+    councils: { unique: ['id'], indexes: ['status', 'createdBy'] },
+    launchSessions: { unique: ['id'], indexes: ['deployer', 'baseMint', 'status'] }
+};
+
+function matches(doc, query) {
+    if (typeof query === 'function') return query(doc);
+    if (!query) return true;
+    return Object.keys(query).every(key => doc[key] === query[key]);
+}
+
+function applyPatch(doc, patch) {
+    return typeof patch === 'function' ? { ...doc, ...patch(doc) } : { ...doc, ...patch };
+}
+
+function compareBy(field, order) {
+    const direction = order === 'desc' ? -1 : 1;
+    return (a, b) => {
+        if (a[field] === b[field]) return 0;
+        if (a[field] === undefined || a[field] === null) return 1;
+        if (b[field] === undefined || b[field] === null) return -1;
+        return (a[field] < b[field] ? -1 : 1) * direction;
+    };
+}
+
+function sortAndLimit(docs, { sortBy, order = 'asc', limit } = {}) {
+    let result = sortBy ? [...docs].sort(compareBy(sortBy, order)) : docs;
+    if (limit !== undefined && limit !== Infinity) result = result.slice(0, limit);
+    return result;
+}
+
+// ------------------------------------------
+// lowdb backend (single JSON file, whole-file rewrites)
+// ------------------------------------------
+class LowdbCollection {
+    constructor(db, name) {
+        this.db = db;
+        this.name = name;
+        this.keySets = new Map(); // keyField -> Set of values, built lazily for insertNew
+    }
+
+    chain() {
+        return this.db.get(this.name);
+    }
+
+    all() {
+        return this.chain().value();
+    }
+
+    find(query) {
+        return this.chain().find(query).value();
+    }
+
+    filter(query, options) {
+        return sortAndLimit(this.chain().filter(query || (() => true)).value(), options);
+    }
+
+    count(query) {
+        return query ? this.chain().filter(query).size().value() : this.chain().size().value();
+    }
+
+    trackKeys(docs) {
+        for (const [field, keys] of this.keySets) {
+            docs.forEach(doc => keys.add(doc[field]));
+        }
+    }
+
+    insert(docOrDocs) {
+        const docs = Array.isArray(docOrDocs) ? docOrDocs : [docOrDocs];
+        if (docs.length === 0) return docs;
+        this.chain().push(...docs).write();
+        this.trackKeys(docs);
+        return docOrDocs;
+    }
+
+    insertNew(docs, keyField) {
+        if (!this.keySets.has(keyField)) {
+            this.keySets.set(keyField, new Set(this.chain().map(keyField).value()));
+        }
+        const keys = this.keySets.get(keyField);
+        const seen = new Set();
+        const fresh = docs.filter(doc => {
+            if (keys.has(doc[keyField]) || seen.has(doc[keyField])) return false;
+            seen.add(doc[keyField]);
+            return true;
+        });
+        this.insert(fresh);
+        return fresh;
+    }
+
+    update(query, patch) {
+        const targets = this.chain().filter(query).value();
+        targets.forEach(doc => Object.assign(doc, applyPatch(doc, patch)));
+        if (targets.length > 0) this.db.write();
+        return targets.length;
+    }
+
+    remove(query) {
+        const removed = this.chain().remove(query).write();
+        if (removed.length > 0) this.keySets.clear();
+        return removed.length;
+    }
+
+    replaceAll(docs) {
+        this.db.set(this.name, docs).write();
+        this.keySets.clear();
+    }
+}
+
+function createLowdbStorage(file) {
+    const low = require('lowdb');
+    const FileSync = require('lowdb/adapters/FileSync');
+    const db = low(new FileSync(file));
+    const defaults = {};
+    Object.keys(COLLECTIONS).forEach(name => { defaults[name] = []; });
+    db.defaults(defaults).write();
+
+    const storage = { backend: 'lowdb', file };
+    Object.keys(COLLECTIONS).forEach(name => { storage[name] = new LowdbCollection(db, name); });
+    return storage;
+}
+
+// ------------------------------------------
+// SQLite backend (one table per collection, JSON documents, expression indexes)
+// ------------------------------------------
+const SAFE_FIELD = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function fieldExpr(field) {
+    if (!SAFE_FIELD.test(field)) throw new Error(`Invalid field name: ${field}`);
+    return `json_extract(data, '$.${field}')`;
+}
+
+// better-sqlite3 cannot bind booleans, and json_extract() yields 1/0 for JSON true/false
+function toSqlValue(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+}
+
+class SqliteCollection {
+    constructor(sqlite, name, spec) {
+        this.sqlite = sqlite;
+        this.name = name;
+        this.table = `"${name}"`;
+
+        sqlite.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (rowid INTEGER PRIMARY KEY, data TEXT NOT NULL)`);
+        spec.unique.forEach(field => {
+            sqlite.exec(`CREATE UNIQUE INDEX IF NOT EXISTS "${name}_${field}_uniq" ON ${this.table} (${fieldExpr(field)})`);
+        });
+        spec.indexes.forEach(field => {
+            sqlite.exec(`CREATE INDEX IF NOT EXISTS "${name}_${field}_idx" ON ${this.table} (${fieldExpr(field)})`);
+        });
+
+        this.insertStmt = sqlite.prepare(`INSERT INTO ${this.table} (data) VALUES (?)`);
+        this.insertIgnoreStmt = sqlite.prepare(`INSERT OR IGNORE INTO ${this.table} (data) VALUES (?)`);
+        this.updateStmt = sqlite.prepare(`UPDATE ${this.table} SET data = ? WHERE rowid = ?`);
+        this.deleteStmt = sqlite.prepare(`DELETE FROM ${this.table} WHERE rowid = ?`);
+    }
+
+    // Object queries become indexed WHERE clauses; predicates are applied after a full read
+    select(query, { sortBy, order = 'asc', limit } = {}) {
+        const clauses = [];
+        const params = [];
+        if (query && typeof query === 'object') {
+            for (const [field, value] of Object.entries(query)) {
+                if (value === null || value === undefined) {
+                    clauses.push(`${fieldExpr(field)} IS NULL`);
+                } else {
+                    clauses.push(`${fieldExpr(field)} = ?`);
+                    params.push(toSqlValue(value));
+                }
+            }
+        }
+
+        let sql = `SELECT rowid, data FROM ${this.table}`;
+        if (clauses.length) sql += ` WHERE ${clauses.join(' AND ')}`;
+        if (sortBy) sql += ` ORDER BY ${fieldExpr(sortBy)} IS NULL, ${fieldExpr(sortBy)} ${order === 'desc' ? 'DESC' : 'ASC'}`;
+        const predicate = typeof query === 'function' ? query : null;
+        if (!predicate && limit !== undefined && limit !== Infinity) {
+            sql += ' LIMIT ?';
+            params.push(limit);
+        }
+
+        let rows = this.sqlite.prepare(sql).all(...params).map(row => ({ rowid: row.rowid, doc: JSON.parse(row.data) }));
+        if (predicate) {
+            rows = rows.filter(row => predicate(row.doc));
+            if (limit !== undefined && limit !== Infinity) rows = rows.slice(0, limit);
+        }
+        return rows;
+    }
+
+    all() {
+        return this.select().map(row => row.doc);
+    }
+
+    find(query) {
+        const rows = this.select(query, typeof query === 'function' ? {} : { limit: 1 });
+        return rows.length ? rows[0].doc : undefined;
+    }
+
+    filter(query, options) {
+        return this.select(query, options).map(row => row.doc);
+    }
+
+    count(query) {
+        if (!query) return this.sqlite.prepare(`SELECT COUNT(*) AS n FROM ${this.table}`).get().n;
+        return this.select(query).length;
+    }
+
+    insert(docOrDocs) {
+        const docs = Array.isArray(docOrDocs) ? docOrDocs : [docOrDocs];
+        this.sqlite.transaction(() => {
+            docs.forEach(doc => this.insertStmt.run(JSON.stringify(doc)));
+        })();
+        return docOrDocs;
+    }
+
+    // Relies on the unique index for `keyField` - duplicates are skipped by SQLite itself
+    insertNew(docs, keyField) {
+        const fresh = [];
+        this.sqlite.transaction(() => {
+            docs.forEach(doc => {
+                if (doc[keyField] === undefined || doc[keyField] === null) return;
+                if (this.insertIgnoreStmt.run(JSON.stringify(doc)).changes > 0) fresh.push(doc);
+            });
+        })();
+        return fresh;
+    }
+
+    update(query, patch) {
+        const rows = this.select(query);
+        this.sqlite.transaction(() => {
+            rows.forEach(row => this.updateStmt.run(JSON.stringify(applyPatch(row.doc, patch)), row.rowid));
+        })();
+        return rows.length;
+    }
+
+    remove(query) {
+        const rows = this.select(query);
+        this.sqlite.transaction(() => {
+            rows.forEach(row => this.deleteStmt.run(row.rowid));
+        })();
+        return rows.length;
+    }
+
+    replaceAll(docs) {
+        this.sqlite.transaction(() => {
+            this.sqlite.exec(`DELETE FROM ${this.table}`);
+            docs.forEach(doc => this.insertIgnoreStmt.run(JSON.stringify(doc)));
+        })();
+    }
+}
+
+function createSqliteStorage(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (err) {
+        throw new Error('DB_BACKEND=sqlite requires the optional "better-sqlite3" package (npm install better-sqlite3).');
+    }
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    const sqlite = new Database(file);
+    sqlite.pragma('journal_mode = WAL');
+    sqlite.pragma('synchronous = NORMAL');
+
+    const storage = { backend: 'sqlite', file, sqlite };
+    Object.entries(COLLECTIONS).forEach(([name, spec]) => { storage[name] = new SqliteCollection(sqlite, name, spec); });
+    return storage;
+}
+
+// ------------------------------------------
+// Factory + snapshot helpers
+// ------------------------------------------
+function createStorage({ backend = 'lowdb', file }) {
+    const storage = backend === 'sqlite' ? createSqliteStorage(file) : createLowdbStorage(file);
+
+    // Plain { collection: [...] } object in the historical db.json shape (backups, migrations)
+    storage.snapshot = () => {
+        const data = {};
+        Object.keys(COLLECTIONS).forEach(name => { data[name] = storage[name].all(); });
+        return data;
+    };
+
+    storage.importSnapshot = (data) => {
+        const counts = {};
+        Object.keys(COLLECTIONS).forEach(name => {
+            const docs = Array.isArray(data[name]) ? data[name] : [];
+            storage[name].replaceAll(docs);
+            counts[name] = storage[name].count();
+        });
+        return counts;
+    };
+
+    return storage;
+}
+
+module.exports = { createStorage, COLLECTIONS };
@@ -0,0 +1,288 @@
+// ==========================================
+// VANITY KEYPAIR POOL (reservation, TTL release, low-stock alerts, grinder)
+// ==========================================
+// Keypair files are solana-keygen style JSON arrays (64-byte secret key) named <anything>.json.
+// Their state is the directory they sit in, so it survives restarts and renames are atomic:
+//   <dir>/*.json           available
+//   <dir>/reserved/*.json  handed to a /create call (mtime = when the reservation was last renewed)
+//   <dir>/used/*.json      launched
+// Pool methods are synchronous - a reservation can never be handed out twice by this process. The
+// one exception, releaseExpired(), waits on a caller check but re-reads the reservation before moving it.
+// The grinder runs in a worker thread (this same file) so the event loop never blocks on ed25519.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const bs58 = require('bs58');
+
+const BASE58_PATTERN = /^[1-9A-HJ-NP-Za-km-z]*$/;
+const GRIND_BATCH_SIZE = 2000;
+
+// 64-byte Solana secret key (seed + public key) and the base58 address, from Node's native ed25519
+function generateKeypair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const pub = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+    const seed = Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url');
+    return { address: bs58.encode(pub), secretKey: Array.from(Buffer.concat([seed, pub])) };
+}
+
+function matchesPattern(address, { prefix, suffix, ignoreCase }) {
+    const subject = ignoreCase ? address.toLowerCase() : address;
+    return subject.startsWith(prefix) && subject.endsWith(suffix);
+}
+
+// ------------------------------------------
+// Grinder worker
+// ------------------------------------------
+if (!isMainThread && workerData && workerData.vanityGrinder) {
+    const pattern = {
+        prefix: workerData.ignoreCase ? workerData.prefix.toLowerCase() : workerData.prefix,
+        suffix: workerData.ignoreCase ? workerData.suffix.toLowerCase() : workerData.suffix,
+        ignoreCase: workerData.ignoreCase
+    };
+    let attempts = 0;
+    const grind = () => {
+        for (let i = 0; i < GRIND_BATCH_SIZE; i++) {
+            const keypair = generateKeypair();
+            attempts++;
+            if (matchesPattern(keypair.address, pattern)) {
+                parentPort.postMessage({ ...keypair, attempts });
+                attempts = 0;
+            }
+        }
+        setImmediate(grind); // Lets terminate() land between batches
+    };
+    grind();
+}
+
+// ------------------------------------------
+// Pool
+// ------------------------------------------
+class VanityKeypairPool {
+    constructor(dir, {
+        reservationTtlMs = 10 * 60 * 1000,
+        lowStockThreshold = 5,
+        grind = null,            // { prefix, suffix, ignoreCase, target } or null
+        onLowStock = null        // (stats) => void, fired when available drops below the threshold
+    } = {}) {
+        this.dir = dir;
+        this.reservedDir = path.join(dir, 'reserved');
+        this.usedDir = path.join(dir, 'used');
+        this.reservationTtlMs = reservationTtlMs;
+        this.lowStockThreshold = lowStockThreshold;
+        this.grind = grind;
+        this.onLowStock = onLowStock;
+        this.lowStockNotified = false;
+        this.worker = null;
+        this.grinderStats = { found: 0, attempts: 0, startedAt: null, lastFoundAt: null, lastError: null };
+
+        [dir, this.reservedDir, this.usedDir].forEach(d => {
+            if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
+        });
+
+        if (grind) {
+            if (!BASE58_PATTERN.test(grind.prefix + grind.suffix)) {
+                throw new Error('Vanity grind prefix/suffix may only contain base58 characters (no 0, O, I or l).');
+            }
+            if (!grind.prefix && !grind.suffix) throw new Error('Vanity grinder needs a prefix or a suffix.');
+        }
+    }
+
+    // Client-supplied names never leave the pool directories
+    static safeName(file) {
+        const name = path.basename(String(file || ''));
+        return name.endsWith('.json') ? name : null;
+    }
+
+    list(dir) {
+        return fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+    }
+
+    stats() {
+        return {
+            available: this.list(this.dir).length,
+            reserved: this.list(this.reservedDir).length,
+            used: this.list(this.usedDir).length,
+            lowStockThreshold: this.lowStockThreshold,
+            reservationTtlSeconds: Math.round(this.reservationTtlMs / 1000),
+            grinder: this.grind ? {
+                running: Boolean(this.worker),
+                prefix: this.grind.prefix,
+                suffix: this.grind.suffix,
+                ignoreCase: Boolean(this.grind.ignoreCase),
+                target: this.grind.target,
+                ...this.grinderStats
+            } : null
+        };
+    }
+
+    readSecretKey(filePath) {
+        const secretKey = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        if (!Array.isArray(secretKey) || secretKey.length !== 64) {
+            throw new Error(`${path.basename(filePath)} is not a 64-byte keypair file`);
+        }
+        return secretKey;
+    }
+
+    // Moves the first available keypair into reserved/. A rename that loses a race (another
+    // process got there first) just moves on to the next file.
+    reserve() {
+        for (const file of this.list(this.dir)) {
+            const reservedPath = path.join(this.reservedDir, file);
+            try {
+                fs.renameSync(path.join(this.dir, file), reservedPath);
+            } catch (err) {
+                if (err.code === 'ENOENT') continue;
+                throw err;
+            }
+            const now = new Date();
+            fs.utimesSync(reservedPath, now, now);
+            this.checkStock();
+            return {
+                file,
+                secretKey: this.readSecretKey(reservedPath),
+                expiresAt: new Date(now.getTime() + this.reservationTtlMs).toISOString()
+            };
+        }
+        this.checkStock();
+        return null;
+    }
+
+    // Secret key of a reservation; `touch` pushes its expiry back (the launch is still moving).
+    // Files still in the pool root are accepted for launches prepared before the pool existed.
+    load(file, { touch = false } = {}) {
+        const name = VanityKeypairPool.safeName(file);
+        if (!name) return null;
+        const reservedPath = path.join(this.reservedDir, name);
+        if (fs.existsSync(reservedPath)) {
+            if (touch) {
+                const now = new Date();
+                fs.utimesSync(reservedPath, now, now);
+            }
+            return this.readSecretKey(reservedPath);
+        }
+        const legacyPath = path.join(this.dir, name);
+        return fs.existsSync(legacyPath) ? this.readSecretKey(legacyPath) : null;
+    }
+
+    // Keeps a reservation until `untilMs` (scheduled launches hold their keypair until go-live)
+    hold(file, untilMs) {
+        const name = VanityKeypairPool.safeName(file);
+        const reservedPath = name && path.join(this.reservedDir, name);
+        if (!reservedPath || !fs.existsSync(reservedPath)) return false;
+        const renewedAt = new Date(untilMs - this.reservationTtlMs);
+        fs.utimesSync(reservedPath, renewedAt, renewedAt);
+        return true;
+    }
+
+    // Launch confirmed - the mint address is spent for good
+    consume(file) {
+        const name = VanityKeypairPool.safeName(file);
+        if (!name) return false;
+        for (const source of [this.reservedDir, this.dir]) {
+            const sourcePath = path.join(source, name);
+            if (fs.existsSync(sourcePath)) {
+                fs.renameSync(sourcePath, path.join(this.usedDir, name));
+                this.checkStock();
+                return true;
+            }
+        }
+        return false;
+    }
+
+    release(file) {
+        const name = VanityKeypairPool.safeName(file);
+        const reservedPath = name && path.join(this.reservedDir, name);
+        if (!reservedPath || !fs.existsSync(reservedPath)) return false;
+        fs.renameSync(reservedPath, path.join(this.dir, name));
+        this.checkStock();
+        return true;
+    }
+
+    isExpired(file, now = Date.now()) {
+        try {
+            return now - fs.statSync(path.join(this.reservedDir, file)).mtimeMs >= this.reservationTtlMs;
+        } catch (err) {
+            if (err.code === 'ENOENT') return false;
+            throw err;
+        }
+    }
+
+    // Reservations older than the TTL. Each one goes through `decide(file, secretKey)` first, because
+    // an expired reservation is not necessarily abandoned (the launch may have landed without being
+    // confirmed): 'release' returns it to the pool, 'consume' moves it to used/, anything else - or
+    // a throw - keeps it reserved for the next sweep. Without `decide` everything expired is released.
+    async releaseExpired({ decide = async () => 'release', now = Date.now() } = {}) {
+        const released = [];
+        const consumed = [];
+        for (const file of this.list(this.reservedDir).filter(f => this.isExpired(f, now))) {
+            let verdict;
+            try {
+                verdict = await decide(file, this.readSecretKey(path.join(this.reservedDir, file)));
+            } catch (err) {
+                if (err.code !== 'ENOENT') console.error(`Vanity reservation check failed for ${file}:`, err.message);
+                continue;
+            }
+            // The launch may have renewed the reservation while it was being checked
+            if (!this.isExpired(file)) continue;
+            if (verdict === 'consume' && this.consume(file)) consumed.push(file);
+            if (verdict === 'release' && this.release(file)) released.push(file);
+        }
+        return { released, consumed };
+    }
+
+    // Fires onLowStock once per dip below the threshold and keeps the grinder going until the target
+    checkStock() {
+        const available = this.list(this.dir).length;
+        if (available < this.lowStockThreshold) {
+            if (!this.lowStockNotified && this.onLowStock) {
+                this.lowStockNotified = true;
+                try {
+                    this.onLowStock(this.stats());
+                } catch (err) {
+                    console.error('Vanity low-stock handler error:', err.message);
+                }
+            }
+        } else {
+            this.lowStockNotified = false;
+        }
+
+        if (!this.grind) return;
+        if (available < this.grind.target) this.startGrinder();
+        else this.stopGrinder();
+    }
+
+    startGrinder() {
+        if (this.worker) return;
+        this.grinderStats.startedAt = new Date().toISOString();
+        const worker = new Worker(__filename, {
+            workerData: { vanityGrinder: true, prefix: this.grind.prefix, suffix: this.grind.suffix, ignoreCase: Boolean(this.grind.ignoreCase) }
+        });
+        this.worker = worker;
+        worker.on('message', ({ address, secretKey, attempts }) => {
+            // Write then rename so reserve() never reads a half-written file
+            const tmpPath = path.join(this.dir, `.${address}.tmp`);
+            fs.writeFileSync(tmpPath, JSON.stringify(secretKey));
+            fs.renameSync(tmpPath, path.join(this.dir, `${address}.json`));
+            this.grinderStats.found++;
+            this.grinderStats.attempts += attempts;
+            this.grinderStats.lastFoundAt = new Date().toISOString();
+            this.checkStock();
+        });
+        worker.on('error', err => {
+            console.error('Vanity grinder error:', err.message);
+            this.grinderStats.lastError = err.message;
+        });
+        worker.on('exit', () => {
+            if (this.worker === worker) this.worker = null;
+        });
+    }
+
+    stopGrinder() {
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
+    }
+}
+
+module.exports = { VanityKeypairPool, generateKeypair, matchesPattern };